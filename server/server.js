@@ -0,0 +1,261 @@
+// API proxy and static file server for the Investment Research Hub.
+//
+// The browser bundle no longer carries any provider credentials.  Instead
+// script.js calls same-origin routes of the form
+//
+//   /api/<provider>/<upstream path>?<query>
+//
+// and this server forwards the request to the provider, adding the API key
+// (as a query parameter or header, depending on the provider) from its own
+// environment.  Keys are read from process.env, optionally seeded from a
+// server/.env file (see .env.example).  No third-party packages are needed;
+// Node 18 or newer is required for the global fetch().
+//
+// Usage:
+//   node server/server.js                 # serves the site on :8080
+//   PORT=3000 node server/server.js
+//
+// Each provider's upstream can be redirected with <PROVIDER>_BASE_URL, or all
+// of them at once with STUB_PROVIDER_URL (requests then go to
+// <STUB_PROVIDER_URL>/<provider>/...).  server/stub-provider.js implements
+// such a stub with canned responses for local testing.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+function loadEnvFile(file) {
+  if (!fs.existsSync(file)) return;
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/);
+    if (!match || line.trim().startsWith('#')) return;
+    const value = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    // Real environment variables win over the file.
+    if (process.env[match[1]] === undefined) process.env[match[1]] = value;
+  });
+}
+
+// Upstream definitions.  `keys` lists the environment variables a provider
+// needs; `authorise` adds them to the outgoing URL or headers.  Providers
+// without keys (CoinGecko) are proxied for CORS and rate-limit consistency.
+const PROVIDERS = {
+  alpaca: {
+    baseUrl: 'https://data.alpaca.markets',
+    keys: ['ALPACA_API_KEY', 'ALPACA_API_SECRET'],
+    authorise(url, headers, env) {
+      headers['APCA-API-KEY-ID'] = env.ALPACA_API_KEY;
+      headers['APCA-API-SECRET-KEY'] = env.ALPACA_API_SECRET;
+    }
+  },
+  alphavantage: {
+    baseUrl: 'https://www.alphavantage.co',
+    keys: ['ALPHA_API_KEY'],
+    authorise(url, headers, env) {
+      url.searchParams.set('apikey', env.ALPHA_API_KEY);
+    }
+  },
+  twelvedata: {
+    baseUrl: 'https://api.twelvedata.com',
+    keys: ['TWELVE_API_KEY'],
+    authorise(url, headers, env) {
+      url.searchParams.set('apikey', env.TWELVE_API_KEY);
+    }
+  },
+  polygon: {
+    baseUrl: 'https://api.polygon.io',
+    keys: ['POLYGON_API_KEY'],
+    authorise(url, headers, env) {
+      url.searchParams.set('apiKey', env.POLYGON_API_KEY);
+    }
+  },
+  finnhub: {
+    baseUrl: 'https://finnhub.io/api/v1',
+    keys: ['FINNHUB_API_KEY'],
+    authorise(url, headers, env) {
+      url.searchParams.set('token', env.FINNHUB_API_KEY);
+    }
+  },
+  coingecko: {
+    baseUrl: 'https://api.coingecko.com/api/v3',
+    keys: [],
+    authorise() {}
+  },
+  fred: {
+    baseUrl: 'https://api.stlouisfed.org/fred',
+    keys: ['FRED_API_KEY'],
+    authorise(url, headers, env) {
+      url.searchParams.set('api_key', env.FRED_API_KEY);
+      url.searchParams.set('file_type', 'json');
+    }
+  },
+  eia: {
+    baseUrl: 'https://api.eia.gov',
+    keys: ['EIA_API_KEY'],
+    authorise(url, headers, env) {
+      url.searchParams.set('api_key', env.EIA_API_KEY);
+    }
+  },
+  gemini: {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    keys: ['GEMINI_API_KEY'],
+    methods: ['GET', 'POST'],
+    authorise(url, headers, env) {
+      headers['x-goog-api-key'] = env.GEMINI_API_KEY;
+    }
+  }
+};
+
+// Largest request body forwarded upstream (Gemini prompts are well under this).
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Query parameters a client might use to smuggle its own credentials.
+const CREDENTIAL_PARAMS = ['apikey', 'apiKey', 'api_key', 'token', 'key'];
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+function upstreamBase(name, env) {
+  const override = env[`${name.toUpperCase()}_BASE_URL`];
+  if (override) return override.replace(/\/$/, '');
+  if (env.STUB_PROVIDER_URL) return `${env.STUB_PROVIDER_URL.replace(/\/$/, '')}/${name}`;
+  return PROVIDERS[name].baseUrl;
+}
+
+function applyCors(req, res, env) {
+  const origin = req.headers.origin;
+  if (!origin) return;
+  const allowed = (env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  if (allowed.includes('*') || allowed.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', allowed.includes('*') ? '*' : origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Vary', 'Origin');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// Rejects bodies over MAX_BODY_BYTES; the rest of such a body is drained
+// without being kept so the 413 can still be sent.
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      else resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+async function proxyRequest(req, res, requestUrl, env) {
+  const [, , name, ...rest] = requestUrl.pathname.split('/');
+  const provider = PROVIDERS[name];
+  if (!provider) return sendJson(res, 404, { error: `Unknown provider "${name}"` });
+  const methods = provider.methods || ['GET'];
+  if (!methods.includes(req.method)) return sendJson(res, 405, { error: `${req.method} not allowed for ${name}` });
+  const missing = provider.keys.filter(key => !env[key]);
+  if (missing.length > 0) return sendJson(res, 503, { error: `${name} is not configured (missing ${missing.join(', ')})` });
+
+  const target = new URL(`${upstreamBase(name, env)}/${rest.join('/')}`);
+  requestUrl.searchParams.forEach((value, key) => {
+    if (!CREDENTIAL_PARAMS.includes(key)) target.searchParams.append(key, value);
+  });
+  const headers = { Accept: 'application/json' };
+  provider.authorise(target, headers, env);
+
+  const init = { method: req.method, headers, signal: AbortSignal.timeout(Number(env.UPSTREAM_TIMEOUT_MS) || 15000) };
+  if (req.method === 'POST') {
+    try {
+      init.body = await readBody(req);
+    } catch (err) {
+      return sendJson(res, err.status || 400, { error: err.message });
+    }
+    headers['Content-Type'] = req.headers['content-type'] || 'application/json';
+  }
+  try {
+    const upstream = await fetch(target, init);
+    const body = Buffer.from(await upstream.arrayBuffer());
+    res.writeHead(upstream.status, {
+      'Content-Type': upstream.headers.get('content-type') || 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    });
+    res.end(body);
+  } catch (err) {
+    console.error(`[proxy] ${name} ${target.pathname} failed:`, err.message);
+    sendJson(res, 502, { error: `Upstream ${name} request failed` });
+  }
+}
+
+function serveStatic(req, res, requestUrl) {
+  let relative;
+  try {
+    relative = decodeURIComponent(requestUrl.pathname === '/' ? '/index.html' : requestUrl.pathname);
+  } catch (err) {
+    // Malformed percent-escapes
+    return sendJson(res, 400, { error: 'Bad request' });
+  }
+  const file = path.resolve(ROOT_DIR, `.${relative}`);
+  // Never serve anything outside the site root or from the server directory
+  // itself (which may contain the .env file).
+  if (!file.startsWith(ROOT_DIR + path.sep) || file.startsWith(__dirname + path.sep) || relative.includes('/.')) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) return sendJson(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function createServer(env = process.env) {
+  return http.createServer((req, res) => {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    applyCors(req, res, env);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (requestUrl.pathname.startsWith('/api/')) {
+      proxyRequest(req, res, requestUrl, env).catch(err => {
+        console.error('[proxy] unexpected error', err);
+        sendJson(res, 500, { error: 'Proxy error' });
+      });
+      return;
+    }
+    if (env.SERVE_STATIC === 'false' || !['GET', 'HEAD'].includes(req.method)) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+    serveStatic(req, res, requestUrl);
+  });
+}
+
+module.exports = { createServer, PROVIDERS };
+
+if (require.main === module) {
+  loadEnvFile(path.join(__dirname, '.env'));
+  const port = Number(process.env.PORT) || 8080;
+  createServer(process.env).listen(port, () => {
+    const configured = Object.keys(PROVIDERS).filter(name => PROVIDERS[name].keys.every(key => process.env[key]));
+    console.log(`Investment Research Hub listening on http://localhost:${port}`);
+    console.log(`Configured providers: ${configured.join(', ') || 'none'}`);
+  });
+}
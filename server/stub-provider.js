@@ -0,0 +1,296 @@
+// Local stub for every upstream the API proxy talks to.
+//
+// Start it next to the proxy to exercise the dashboard without network
+// access or real credentials:
+//
+//   node server/stub-provider.js                      # listens on :8090
+//   STUB_PROVIDER_URL=http://localhost:8090 \
+//     ALPHA_API_KEY=test ALPACA_API_KEY=test ALPACA_API_SECRET=test \
+//     TWELVE_API_KEY=test POLYGON_API_KEY=test FINNHUB_API_KEY=test \
+//     FRED_API_KEY=test EIA_API_KEY=test GEMINI_API_KEY=test \
+//     node server/server.js
+//
+// Responses are deterministic, shaped like the real provider payloads, and
+// every request is logged together with the credential the proxy attached,
+// so it is easy to confirm that keys never come from the browser.
+
+const http = require('http');
+
+const DAY = 24 * 3600 * 1000;
+
+// Deterministic daily closes ending today, skipping weekends unless
+// `weekends` is set (crypto trades every day).
+function dailySeries(days, base, weekends = false) {
+  const out = [];
+  let date = new Date();
+  let price = base;
+  while (out.length < days) {
+    const dow = date.getUTCDay();
+    if (weekends || (dow !== 0 && dow !== 6)) {
+      out.unshift({ date: date.toISOString().substring(0, 10), ts: date.getTime(), close: price });
+      price = price / (1 + Math.sin(out.length / 3) * 0.01);
+    }
+    date = new Date(date.getTime() - DAY);
+  }
+  return out.map(p => ({
+    ...p,
+    open: p.close * 0.995,
+    high: p.close * 1.01,
+    low: p.close * 0.985,
+    volume: 1000000
+  }));
+}
+
+// Typical recent levels of the FRED series the site reads: yields and
+// rates in percent, the rest in their own units.  Others default to 4.5%.
+const FRED_LEVELS = {
+  DTB3: 4.3,
+  DGS1: 4.1,
+  DGS10: 4.4,
+  FEDFUNDS: 4.5,
+  UNRATE: 4.1,
+  CPIAUCSL: 315,
+  GDPC1: 23500,
+  HOUST: 1350,
+  RSAFS: 720
+};
+
+function baseFor(symbol) {
+  const s = String(symbol || 'SPY').toUpperCase();
+  return 50 + [...s].reduce((sum, ch) => sum + ch.charCodeAt(0), 0) % 400;
+}
+
+// Eight quarterly dividends ending with one declared for next month.
+function quarterlyDividends(symbol) {
+  const amount = +(baseFor(symbol) / 400).toFixed(2);
+  return Array.from({ length: 8 }, (_, i) => {
+    const ex = new Date(Date.now() + (30 - i * 91) * DAY);
+    return { exDate: ex.toISOString().substring(0, 10), payDate: new Date(ex.getTime() + 14 * DAY).toISOString().substring(0, 10), amount };
+  });
+}
+
+// Black-Scholes price with no rates, for quoting the stub option chain.
+function stubOptionPrice(type, spot, strike, years, vol) {
+  const cdf = x => {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const tail = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI) *
+      t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+  };
+  const d1 = (Math.log(spot / strike) + vol * vol * years / 2) / (vol * Math.sqrt(years));
+  const d2 = d1 - vol * Math.sqrt(years);
+  return type === 'call' ? spot * cdf(d1) - strike * cdf(d2) : strike * cdf(-d2) - spot * cdf(-d1);
+}
+
+// Listed-style expiries: the next four Fridays, the third Friday of the
+// next six months and January LEAPS for the next two years.
+function stubOptionExpiries() {
+  const out = new Set();
+  const friday = date => new Date(date.getTime() + ((5 - date.getUTCDay() + 7) % 7) * DAY);
+  const today = new Date(new Date().toISOString().substring(0, 10));
+  for (let i = 0; i < 4; i++) out.add(friday(new Date(today.getTime() + (1 + 7 * i) * DAY)));
+  for (let m = 1; m <= 6; m++) out.add(friday(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + m, 15))));
+  for (let y = 1; y <= 2; y++) out.add(friday(new Date(Date.UTC(today.getUTCFullYear() + y, 0, 15))));
+  return [...new Set([...out].map(d => d.toISOString().substring(0, 10)))].sort();
+}
+
+// Calls and puts every 2.5% from -20% to +20% of the underlying for each
+// expiry.  Only the first expiry carries vendor IVs, so the rest exercise
+// the client's solver.
+function stubOptionContracts(ticker) {
+  const spot = baseFor(ticker);
+  const results = [];
+  stubOptionExpiries().forEach((expiry, e) => {
+    const years = Math.max(1, (Date.parse(expiry) - Date.now()) / DAY) / 365;
+    for (let i = -8; i <= 8; i++) {
+      const strike = Math.round(spot * (1 + i * 0.025));
+      const vol = 0.25 - 0.1 * Math.log(strike / spot);
+      ['call', 'put'].forEach(type => {
+        const mid = stubOptionPrice(type, spot, strike, years, vol);
+        const half = Math.max(0.01, mid * 0.02);
+        results.push({
+          details: { contract_type: type, exercise_style: 'american', expiration_date: expiry, strike_price: strike, ticker: `O:${ticker}${type[0].toUpperCase()}${strike}` },
+          day: { close: +mid.toFixed(2), volume: 100 + 10 * Math.abs(i) },
+          last_quote: { bid: +Math.max(0, mid - half).toFixed(2), ask: +(mid + half).toFixed(2), midpoint: +mid.toFixed(2) },
+          open_interest: 1000 - 100 * Math.abs(i),
+          implied_volatility: e === 0 ? +vol.toFixed(4) : undefined,
+          underlying_asset: { price: spot, ticker }
+        });
+      });
+    }
+  });
+  return results;
+}
+
+// One page of `items` filtered by Polygon-style query parameters, with a
+// next_url cursor (pointing at the real host, as Polygon's does) when more remain.
+function stubPolygonPage(items, url, pathname, field) {
+  const cursor = url.searchParams.get('cursor');
+  const params = cursor ? new URLSearchParams(Buffer.from(cursor, 'base64url').toString()) : url.searchParams;
+  const offset = Number(params.get('offset')) || 0;
+  const limit = Math.min(Number(params.get('limit')) || 10, 250);
+  const value = (item, key) => field(item)[key];
+  const filtered = items.filter(item => ['strike_price', 'expiration_date'].every(key => {
+    const v = value(item, key);
+    const cmp = bound => (typeof v === 'number' ? v - Number(bound) : String(v).localeCompare(bound));
+    const tests = { '': d => d === 0, '.gt': d => d > 0, '.gte': d => d >= 0, '.lt': d => d < 0, '.lte': d => d <= 0 };
+    return Object.keys(tests).every(suffix => params.get(key + suffix) === null || tests[suffix](cmp(params.get(key + suffix))));
+  }) && (!params.get('contract_type') || field(item).contract_type === params.get('contract_type')));
+  const page = { status: 'OK', results: filtered.slice(offset, offset + limit) };
+  if (offset + limit < filtered.length) {
+    const next = new URLSearchParams(params);
+    next.delete('cursor');
+    next.set('offset', String(offset + limit));
+    page.next_url = `https://api.polygon.io${pathname}?cursor=${Buffer.from(next.toString()).toString('base64url')}`;
+  }
+  return page;
+}
+
+function credentialOf(url, headers) {
+  return url.searchParams.get('apikey') || url.searchParams.get('apiKey') || url.searchParams.get('api_key') ||
+    url.searchParams.get('token') || headers['apca-api-key-id'] || headers['x-goog-api-key'] || null;
+}
+
+const routes = {
+  alpaca(parts, url) {
+    if (parts[0] === 'v1beta3') {
+      const pair = url.searchParams.get('symbols');
+      return { bars: { [pair]: dailySeries(30, 40000).map(b => ({ t: new Date(b.ts).toISOString(), o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume })) } };
+    }
+    const symbol = parts[2];
+    return { bars: dailySeries(60, baseFor(symbol)).map(b => ({ t: new Date(b.ts).toISOString(), o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume })), symbol };
+  },
+  alphavantage(parts, url) {
+    const symbol = url.searchParams.get('symbol');
+    switch (url.searchParams.get('function')) {
+      case 'GLOBAL_QUOTE':
+        return { 'Global Quote': { '01. symbol': symbol, '05. price': String(baseFor(symbol)), '10. change percent': '0.42%' } };
+      case 'DIVIDENDS':
+        return { symbol, data: quarterlyDividends(symbol).map(d => ({ ex_dividend_date: d.exDate, payment_date: d.payDate, amount: String(d.amount) })) };
+      case 'SPLITS':
+        return { symbol, data: [] };
+      case 'OVERVIEW':
+        return { Symbol: symbol, PERatio: '24.5', MarketCapitalization: '1500000000000', EPS: '6.1', Beta: '1.1', DividendYield: '0.006' };
+      case 'CURRENCY_EXCHANGE_RATE':
+        return { 'Realtime Currency Exchange Rate': { '1. From_Currency Code': url.searchParams.get('from_currency'), '3. To_Currency Code': url.searchParams.get('to_currency'), '5. Exchange Rate': '1.2500' } };
+      case 'FX_DAILY': {
+        const series = {};
+        dailySeries(100, 1.25).forEach(b => {
+          series[b.date] = { '1. open': String(b.open), '2. high': String(b.high), '3. low': String(b.low), '4. close': String(b.close) };
+        });
+        return { 'Time Series FX (Daily)': series };
+      }
+      default: {
+        const series = {};
+        dailySeries(100, baseFor(symbol)).forEach(b => {
+          series[b.date] = { '1. open': String(b.open), '2. high': String(b.high), '3. low': String(b.low), '4. close': String(b.close), '5. volume': String(b.volume) };
+        });
+        return { 'Time Series (Daily)': series };
+      }
+    }
+  },
+  twelvedata(parts, url) {
+    const symbol = url.searchParams.get('symbol');
+    if (parts[0] === 'quote') return { symbol, close: String(baseFor(symbol)), percent_change: '0.42' };
+    return { values: dailySeries(30, baseFor(symbol)).reverse().map(b => ({ datetime: b.date, open: b.open, high: b.high, low: b.low, close: b.close, volume: b.volume })), status: 'ok' };
+  },
+  polygon(parts, url) {
+    if (parts[0] === 'v2' && parts[1] === 'aggs') {
+      return { results: dailySeries(60, baseFor(parts[3])).map(b => ({ t: b.ts, o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume })) };
+    }
+    if (parts[0] === 'v2' && parts[1] === 'snapshot') {
+      // Stocks and crypto (X:BTCUSD) snapshots share one shape.
+      const ticker = parts[parts.length - 1];
+      const crypto = ticker.match(/^X:(\w+)USD$/);
+      const price = crypto ? (crypto[1] === 'BTC' ? 40000 : 2500) : baseFor(ticker);
+      return { ticker: { ticker, day: { c: price }, todaysChangePerc: 0.42 } };
+    }
+    if (parts[0] === 'v3' && parts[1] === 'snapshot' && parts[2] === 'options') {
+      return stubPolygonPage(stubOptionContracts(parts[3]), url, `/v3/snapshot/options/${parts[3]}`, item => item.details);
+    }
+    if (parts[0] === 'v3' && parts[1] === 'reference' && parts[2] === 'options') {
+      const contracts = stubOptionContracts(url.searchParams.get('underlying_ticker') || 'SPY').map(item => ({ ...item.details, underlying_ticker: item.underlying_asset.ticker }));
+      return stubPolygonPage(contracts, url, '/v3/reference/options/contracts', item => item);
+    }
+    if (parts[0] === 'v3' && parts[1] === 'reference' && parts[2] === 'dividends') {
+      return { results: quarterlyDividends(url.searchParams.get('ticker')).map(d => ({ ex_dividend_date: d.exDate, pay_date: d.payDate, cash_amount: d.amount, currency: 'USD' })) };
+    }
+    if (parts[0] === 'v3' && parts[1] === 'reference' && parts[2] === 'splits') {
+      return { results: [] };
+    }
+    if (parts[0] === 'v3' && parts[1] === 'reference') {
+      return { results: { ticker: parts[3], market_cap: 1.5e12 } };
+    }
+    return { results: [] };
+  },
+  finnhub(parts, url) {
+    const symbol = url.searchParams.get('symbol');
+    if (parts[0] === 'quote') return { c: baseFor(symbol), dp: 0.42 };
+    if (parts[0] === 'stock' && parts[1] === 'metric') return { metric: { peTTM: 24.5, marketCapitalization: 1500000, epsTTM: 6.1, beta: 1.1, dividendYieldIndicatedAnnual: 0.6 } };
+    return [];
+  },
+  coingecko(parts, url) {
+    if (parts[0] === 'simple') {
+      const out = {};
+      (url.searchParams.get('ids') || '').split(',').forEach(id => {
+        out[id] = { usd: id === 'bitcoin' ? 40000 : 2500, usd_24h_change: 1.5, usd_market_cap: 5e11 };
+      });
+      return out;
+    }
+    if (parts[2] === 'market_chart') {
+      // `days` is a count or 'max'; the series starts that many days back.
+      const days = Number(url.searchParams.get('days')) || (url.searchParams.get('days') === 'max' ? 5 * 365 : 30);
+      const series = dailySeries(days + 1, parts[1] === 'bitcoin' ? 40000 : 2500, true);
+      return { prices: series.map(b => [b.ts, b.close]), total_volumes: series.map(b => [b.ts, b.volume]) };
+    }
+    return { data: { total_market_cap: { usd: 1.6e12 }, total_volume: { usd: 6e10 }, market_cap_change_percentage_24h_usd: 0.8 } };
+  },
+  fred(parts, url) {
+    const id = url.searchParams.get('series_id') || '';
+    const level = FRED_LEVELS[id] || 4.5;
+    // Treasury yields are daily (business days); the macro series monthly.
+    const daily = /^D(GS|TB)/.test(id);
+    const start = url.searchParams.get('observation_start');
+    const from = start ? new Date(`${start}T00:00:00Z`) : new Date(Date.now() - 2 * 365 * DAY);
+    const observations = [];
+    for (let date = from; date <= new Date();) {
+      const dow = date.getUTCDay();
+      if (!daily || (dow !== 0 && dow !== 6)) {
+        const value = level * (1 + 0.03 * Math.sin(observations.length / (daily ? 40 : 6)));
+        observations.push({ date: date.toISOString().substring(0, 10), value: value.toFixed(2) });
+      }
+      date = daily ? new Date(date.getTime() + DAY) : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+    if (url.searchParams.get('sort_order') === 'desc') observations.reverse();
+    const limit = Number(url.searchParams.get('limit'));
+    return { observations: limit > 0 ? observations.slice(0, limit) : observations };
+  },
+  eia() {
+    return { response: { data: dailySeries(30, 75).map(b => ({ period: b.date, value: b.close })) } };
+  },
+  gemini() {
+    return { candidates: [{ content: { parts: [{ text: '[]' }] } }] };
+  }
+};
+
+function createStubServer() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [provider, ...parts] = url.pathname.split('/').filter(Boolean);
+    const handler = routes[provider];
+    console.log(`[stub] ${req.method} ${url.pathname}${url.search} credential=${credentialOf(url, req.headers) ? 'present' : 'MISSING'}`);
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'unknown provider' }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(handler(parts, url)));
+  });
+}
+
+module.exports = { createStubServer };
+
+if (require.main === module) {
+  const port = Number(process.env.STUB_PORT) || 8090;
+  createStubServer().listen(port, () => console.log(`Stub provider listening on http://localhost:${port}`));
+}